@@ -0,0 +1,423 @@
+/**
+ * Captivate client for captivate-llm-worker.
+ *
+ * The worker serves this file at /client.js. Load it once in the published
+ * course (for example from an "Execute JavaScript" action on the first slide):
+ *
+ *   var s = document.createElement("script");
+ *   s.src = "https://captivate-llm-worker.<you>.workers.dev/client.js";
+ *   document.head.appendChild(s);
+ *
+ * then call it from slide actions:
+ *
+ *   CaptivateLLM.grade({ input: "v_response", output: "v_feedback", template: "llm-app" });
+ *   CaptivateLLM.hint({ input: "v_response", output: "v_hint", template: "llm-app" });
+ *   CaptivateLLM.explainChoice({
+ *     question: "Which task suits an LLM best?",
+ *     options: ["Grading essays alone", "Drafting practice questions", "Storing grades"],
+ *     correct: "B",
+ *     output: "v_incorrect"
+ *   });
+ *   CaptivateLLM.stream({
+ *     body: { template: "llm-app", variables: { learnerAnswer: answer } },
+ *     output: "v_feedback"
+ *   });
+ *
+ * grade() and hint() read the learner's answer from the "input" variable, show
+ * "Thinking..." in the "output" variable, retry when the worker says the error
+ * is temporary, and write the feedback (or a learner-safe error) back.
+ * stream() fills the caption in as the model writes, like a tutor typing.
+ *
+ * The worker address defaults to wherever this script was loaded from; set it,
+ * a course token, the course id, the learner id or the locale once with
+ * CaptivateLLM.configure({ url, token, courseId, learnerId, locale }).
+ * courseId picks the course's settings (model, persona, limits) on the worker.
+ *
+ * locale (e.g. "fr_FR") is sent to the worker, which then
+ * replies in that language, and picks the client's own captions below.
+ */
+(function () {
+  var VERSION = "1.3.0";
+
+  // Captions the client writes itself; the worker translates everything else.
+  var STRINGS = {
+    en: {
+      thinking: "Thinking...",
+      tooShort:
+        "Not Satisfactory.\n\nYour response is too short or unclear. Please try again with 2 to 6 sentences " +
+        "that include a specific learner barrier, what the LLM does, and a concrete example.",
+      error: "Sorry, I could not generate feedback. Please try again.",
+      noResponse: "No response returned.",
+      meets: "Satisfactory Response.",
+      needs_improvement: "Not Satisfactory."
+    },
+    es: {
+      thinking: "Pensando...",
+      tooShort:
+        "No satisfactoria.\n\nTu respuesta es demasiado corta o poco clara. Inténtalo de nuevo con 2 a 6 oraciones " +
+        "que incluyan una dificultad concreta del estudiante, qué hace el LLM y un ejemplo concreto.",
+      error: "No pude generar la retroalimentación. Inténtalo de nuevo.",
+      noResponse: "No se recibió ninguna respuesta.",
+      meets: "Respuesta satisfactoria.",
+      needs_improvement: "No satisfactoria."
+    },
+    fr: {
+      thinking: "Réflexion...",
+      tooShort:
+        "Non satisfaisante.\n\nVotre réponse est trop courte ou peu claire. Réessayez en 2 à 6 phrases " +
+        "qui présentent une difficulté précise de l'apprenant, ce que fait le LLM et un exemple concret.",
+      error: "Impossible de générer une rétroaction. Veuillez réessayer.",
+      noResponse: "Aucune réponse reçue.",
+      meets: "Réponse satisfaisante.",
+      needs_improvement: "Non satisfaisante."
+    },
+    de: {
+      thinking: "Denke nach...",
+      tooShort:
+        "Nicht ausreichend.\n\nDeine Antwort ist zu kurz oder unklar. Bitte versuche es noch einmal mit 2 bis 6 Sätzen, " +
+        "die eine konkrete Lernhürde, die Aufgabe des LLM und ein konkretes Beispiel enthalten.",
+      error: "Leider konnte kein Feedback erstellt werden. Bitte versuche es erneut.",
+      noResponse: "Keine Antwort erhalten.",
+      meets: "Ausreichende Antwort.",
+      needs_improvement: "Nicht ausreichend."
+    }
+  };
+
+  var settings = { url: scriptOrigin(), token: null, courseId: null, learnerId: null, locale: null };
+
+  // The worker that served this file, so courses need no hardcoded URL.
+  function scriptOrigin() {
+    var script = document.currentScript;
+    if (!script || !script.src) return null;
+    try {
+      return new URL(script.src).origin + "/";
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function setVar(name, value) {
+    if (name && window.cpAPIInterface) {
+      window.cpAPIInterface.setVariableValue(name, value);
+    }
+  }
+
+  function getVar(name) {
+    if (!name || !window.cpAPIInterface) return "";
+    var value = window.cpAPIInterface.getVariableValue(name);
+    return value === undefined || value === null ? "" : String(value);
+  }
+
+  function sleep(ms) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+
+  function endpoint(base, path) {
+    var url = base || settings.url;
+    if (!url) throw new Error("CaptivateLLM: no worker url; call CaptivateLLM.configure({ url: ... })");
+    return url.replace(/\/+$/, "") + path;
+  }
+
+  function headers() {
+    var h = { "Content-Type": "application/json" };
+    if (settings.token) h.Authorization = "Bearer " + settings.token;
+    return h;
+  }
+
+  // "fr_FR" and "fr-FR" both pick the "fr" captions; unknown languages get English.
+  function strings(locale) {
+    var lang = String(locale || settings.locale || "en").toLowerCase().split(/[-_]/)[0];
+    return STRINGS[lang] || STRINGS.en;
+  }
+
+  function withLearner(body) {
+    var payload = Object.assign({}, body);
+    if (settings.courseId && payload.courseId === undefined) payload.courseId = settings.courseId;
+    if (settings.learnerId && payload.learnerId === undefined) payload.learnerId = settings.learnerId;
+    if (settings.locale && payload.locale === undefined) payload.locale = settings.locale;
+    return payload;
+  }
+
+  // Splits SSE text into complete { event, data } blocks; returns the leftover.
+  function parseSse(buffer, onEvent) {
+    buffer = buffer.replace(/\r\n/g, "\n");
+    var end;
+    while ((end = buffer.indexOf("\n\n")) !== -1) {
+      var block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      var event = "message";
+      var data = [];
+      block.split("\n").forEach(function (line) {
+        if (line.indexOf("event:") === 0) event = line.slice(6).trim();
+        if (line.indexOf("data:") === 0) data.push(line.slice(5).trim());
+      });
+      if (!data.length) continue;
+
+      try {
+        onEvent(event, JSON.parse(data.join("\n")));
+      } catch (e) {
+        // Not JSON; nothing for us in it.
+      }
+    }
+    return buffer;
+  }
+
+  // The worker's error envelope: { ok: false, text, error: { code, retryable, requestId } }.
+  // err.message is the learner-safe text, ready for a caption.
+  function workerError(data) {
+    var err = new Error(data.text || strings().error);
+    err.code = data.error && data.error.code;
+    err.retryable = !!(data.error && data.error.retryable);
+    err.requestId = data.error && data.error.requestId;
+    return err;
+  }
+
+  async function readError(res) {
+    var raw = await res.text();
+    var failed;
+    try {
+      failed = JSON.parse(raw);
+    } catch (e) {
+      failed = { text: "Proxy error (" + res.status + "): " + raw };
+    }
+    var err = workerError(failed);
+    err.retryAfter = Number(res.headers.get("Retry-After")) || 0;
+    return err;
+  }
+
+  /**
+   * POSTs JSON to a worker route and resolves with the reply. Network errors
+   * and errors the worker marks retryable are tried again (options.retries,
+   * default 2) after Retry-After or a growing delay.
+   */
+  async function post(path, body, options) {
+    var retries = options.retries === undefined ? 2 : options.retries;
+    var url = endpoint(options.url, path);
+
+    for (var attempt = 0; ; attempt++) {
+      var err;
+      try {
+        var res = await fetch(url, {
+          method: "POST",
+          headers: headers(),
+          body: JSON.stringify(withLearner(body))
+        });
+        if (res.ok) return await res.json();
+        err = await readError(res);
+      } catch (e) {
+        // Offline or the worker unreachable: show the generic text, and try again.
+        err = workerError({ error: { code: "NETWORK_ERROR", retryable: true } });
+        err.cause = e;
+      }
+
+      // Waiting for a daily quota is pointless; anything over 10 s is too.
+      var wait = err.retryAfter ? err.retryAfter * 1000 : 1000 * Math.pow(2, attempt);
+      if (!err.retryable || attempt >= retries || wait > 10000) throw err;
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Turns a /grade reply into caption text: "Satisfactory Response.\n\n<feedback>".
+   * labels overrides the verdict labels; locale picks the built-in ones.
+   */
+  function formatFeedback(data, labels, locale) {
+    var text = strings(locale);
+    if (!data) return text.noResponse;
+    if (typeof data.text === "string" && data.text.trim()) return data.text.trim();
+
+    var feedback = (data.feedback || "").trim();
+    if (!feedback) return text.noResponse;
+
+    var label = Object.assign({ meets: text.meets, needs_improvement: text.needs_improvement }, labels)[data.verdict];
+    return label ? label + "\n\n" + feedback : feedback;
+  }
+
+  // Reads the answer and applies the local "too short" guard. Returns null when it fails.
+  function readAnswer(options) {
+    var answer = getVar(options.input).trim();
+    var minLength = options.minLength === undefined ? 10 : options.minLength;
+    if (answer.length < minLength) {
+      setVar(options.output, options.tooShortText || strings(options.locale).tooShort);
+      return null;
+    }
+    return answer;
+  }
+
+  function showError(options, err) {
+    console.error(err);
+    setVar(options.output, err.message || strings(options.locale).error);
+  }
+
+  function showThinking(options) {
+    setVar(options.output, options.thinkingText || strings(options.locale).thinking);
+  }
+
+  // A per-call locale wins over configure({ locale }).
+  function withLocale(body, options) {
+    if (options.locale !== undefined) body.locale = options.locale;
+    return body;
+  }
+
+  /**
+   * Grades the answer in a Captivate variable against a template's rubric.
+   * options: { input, output, template, variables?, labels?, minLength?, locale?,
+   *            tooShortText?, thinkingText?, passedVar?, scoreVar?, retries?, url? }
+   * Resolves with the grade ({ verdict, passed, total, scores, feedback }), or
+   * null when the answer was too short or the worker failed; the output
+   * variable shows the reason either way.
+   */
+  async function grade(options) {
+    var answer = readAnswer(options);
+    if (answer === null) return null;
+
+    showThinking(options);
+    try {
+      var data = await post(
+        "/grade",
+        withLocale(
+          {
+            template: options.template,
+            variables: Object.assign({}, options.variables, { learnerAnswer: answer })
+          },
+          options
+        ),
+        options
+      );
+      setVar(options.output, formatFeedback(data, options.labels, options.locale));
+      setVar(options.passedVar, data.passed ? 1 : 0);
+      setVar(options.scoreVar, data.total);
+      return data;
+    } catch (err) {
+      showError(options, err);
+      return null;
+    }
+  }
+
+  /**
+   * Asks for the next hint on a question. The worker steps from a nudge (1)
+   * to a near-model answer (3) each time the same learner asks.
+   * options: { input?, output, template, variables?, level?, levelVar?, locale?, thinkingText?, retries?, url? }
+   * Resolves with { text, level, nextLevel } or null.
+   */
+  async function hint(options) {
+    var variables = Object.assign({}, options.variables);
+    if (options.input) variables.learnerAnswer = getVar(options.input).trim();
+
+    showThinking(options);
+    try {
+      var body = withLocale({ template: options.template, variables: variables }, options);
+      if (options.level !== undefined) body.level = options.level;
+      var data = await post("/hint", body, options);
+      setVar(options.output, data.text);
+      setVar(options.levelVar, data.level);
+      return data;
+    } catch (err) {
+      showError(options, err);
+      return null;
+    }
+  }
+
+  /**
+   * Explains a wrong multiple-choice answer for the incorrect-feedback caption:
+   * why the chosen option is tempting and why it is wrong. The choice comes
+   * from options.choice or the choiceVar variable (default
+   * "cpQuizInfoAnswerChoice", Captivate's Question.AnswerChoice).
+   * options: { question, options, correct, output, choice?, choiceVar?, revealAnswer?,
+   *            locale?, thinkingText?, retries?, url? }
+   * Resolves with the text or null.
+   */
+  async function explainChoice(options) {
+    var choice = options.choice !== undefined ? options.choice : getVar(options.choiceVar || "cpQuizInfoAnswerChoice");
+
+    showThinking(options);
+    try {
+      var body = withLocale(
+        { question: options.question, options: options.options, correct: options.correct, choice: choice },
+        options
+      );
+      if (options.revealAnswer !== undefined) body.revealAnswer = options.revealAnswer;
+      var data = await post("/explain-distractor", body, options);
+      setVar(options.output, data.text);
+      return data.text;
+    } catch (err) {
+      showError(options, err);
+      return null;
+    }
+  }
+
+  /**
+   * Streams a reply from the worker into a Captivate variable.
+   * options: { url?, body, output, thinkingText? }
+   * Resolves with the final text; rejects with workerError() if the worker
+   * reports an error.
+   */
+  async function stream(options) {
+    var output = options.output;
+    var payload = Object.assign(withLearner(options.body), { stream: true });
+    var text = "";
+    var finalText = null;
+    var errorData = null;
+
+    showThinking(options);
+
+    var res = await fetch(endpoint(options.url, "/"), {
+      method: "POST",
+      headers: headers(),
+      body: JSON.stringify(payload)
+    });
+
+    if (!res.ok) throw await readError(res);
+
+    function onEvent(event, data) {
+      if (event === "delta" && typeof data.text === "string") {
+        text += data.text;
+        setVar(output, text);
+      } else if (event === "done") {
+        finalText = data.text;
+      } else if (event === "error") {
+        errorData = data;
+      }
+    }
+
+    if (res.body && res.body.getReader) {
+      var reader = res.body.getReader();
+      var decoder = new TextDecoder();
+      var buffer = "";
+      while (true) {
+        var chunk = await reader.read();
+        if (chunk.done) break;
+        buffer = parseSse(buffer + decoder.decode(chunk.value, { stream: true }), onEvent);
+      }
+      parseSse(buffer + decoder.decode() + "\n\n", onEvent);
+    } else {
+      // Older players without streaming fetch: the events arrive all at once.
+      parseSse((await res.text()) + "\n\n", onEvent);
+    }
+
+    if (errorData !== null) throw workerError(errorData);
+
+    var result = (finalText !== null ? finalText : text).trim() || strings(payload.locale).noResponse;
+    setVar(output, result);
+    return result;
+  }
+
+  /** Sets defaults for every later call: { url, token, courseId, learnerId, locale }. */
+  function configure(options) {
+    Object.keys(options || {}).forEach(function (key) {
+      if (Object.prototype.hasOwnProperty.call(settings, key)) settings[key] = options[key];
+    });
+  }
+
+  window.CaptivateLLM = window.CaptivateLLM || {};
+  window.CaptivateLLM.version = VERSION;
+  window.CaptivateLLM.configure = configure;
+  window.CaptivateLLM.grade = grade;
+  window.CaptivateLLM.hint = hint;
+  window.CaptivateLLM.explainChoice = explainChoice;
+  window.CaptivateLLM.stream = stream;
+  window.CaptivateLLM.formatFeedback = formatFeedback;
+})();
@@ -0,0 +1,47 @@
+/**
+ * Mints a short-lived course token for captivate-llm-worker.
+ *
+ * Run it (or port these few lines) on the LMS launch page's server, never in
+ * the browser: it needs the same COURSE_TOKEN_SECRET as the Worker.
+ *
+ *   COURSE_TOKEN_SECRET=... node mint-token.mjs --ttl 7200 --course intro-llm \
+ *     --learner 12345 --origin https://lms.example.edu
+ *
+ * Token = base64url(JSON claims) + "." + base64url(HMAC-SHA256(first part)).
+ * Claims: exp (unix seconds, required), plus optional courseId, learnerId, origin.
+ */
+
+import { createHmac } from "node:crypto";
+
+export function mintCourseToken(secret, { ttlSeconds = 3600, courseId, learnerId, origin } = {}) {
+  const claims = { exp: Math.floor(Date.now() / 1000) + ttlSeconds };
+  if (courseId) claims.courseId = courseId;
+  if (learnerId) claims.learnerId = learnerId;
+  if (origin) claims.origin = origin;
+
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  const signature = createHmac("sha256", secret).update(payload).digest("base64url");
+  return `${payload}.${signature}`;
+}
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const secret = process.env.COURSE_TOKEN_SECRET;
+  if (!secret) {
+    console.error("Set COURSE_TOKEN_SECRET to the Worker's secret.");
+    process.exit(1);
+  }
+
+  console.log(
+    mintCourseToken(secret, {
+      ttlSeconds: Number(arg("ttl") || 3600),
+      courseId: arg("course"),
+      learnerId: arg("learner"),
+      origin: arg("origin"),
+    })
+  );
+}
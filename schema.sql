@@ -0,0 +1,86 @@
+-- D1 schema for captivate-llm-worker (review queue, usage metering, config versions
+-- and experiment metrics).
+-- Apply once (and again after pulling changes; every statement is idempotent):
+--   wrangler d1 execute captivate-llm --remote --file=schema.sql
+
+-- Every /grade result, kept for the instructor review queue.
+-- override_* columns are filled in when an instructor changes the verdict.
+CREATE TABLE IF NOT EXISTS submissions (
+  id TEXT PRIMARY KEY,
+  created_at INTEGER NOT NULL,
+  learner_id TEXT,
+  question_id TEXT NOT NULL,
+  answer TEXT NOT NULL,
+  model TEXT,
+  model_output TEXT NOT NULL,
+  verdict TEXT NOT NULL,
+  total INTEGER NOT NULL,
+  feedback TEXT NOT NULL,
+  override_verdict TEXT,
+  override_comment TEXT,
+  reviewer TEXT,
+  reviewed_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS submissions_question ON submissions (question_id, created_at);
+CREATE INDEX IF NOT EXISTS submissions_learner ON submissions (learner_id, question_id, created_at);
+
+-- One row per model call, for the /admin/usage report and monthly budgets.
+-- cost_usd is an estimate from MODEL_PRICES; NULL when the model has no price.
+CREATE TABLE IF NOT EXISTS usage (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at INTEGER NOT NULL,
+  day TEXT NOT NULL,
+  month TEXT NOT NULL,
+  route TEXT NOT NULL,
+  course_id TEXT,
+  question_id TEXT,
+  learner_id TEXT,
+  model TEXT NOT NULL,
+  input_tokens INTEGER NOT NULL,
+  output_tokens INTEGER NOT NULL,
+  cost_usd REAL,
+  degraded INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS usage_day ON usage (day);
+CREATE INDEX IF NOT EXISTS usage_month_course ON usage (month, course_id);
+
+-- Every saved version of a prompt template or course config from the admin
+-- console. The published one is also copied to the PROMPTS KV namespace
+-- ("template:<name>" / "course:<name>"), which is what requests read.
+CREATE TABLE IF NOT EXISTS config_versions (
+  kind TEXT NOT NULL,
+  name TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  body TEXT NOT NULL,
+  note TEXT,
+  author TEXT,
+  created_at INTEGER NOT NULL,
+  published_at INTEGER,
+  PRIMARY KEY (kind, name, version)
+);
+
+-- One row per request enrolled in an A/B experiment, for
+-- /admin/experiments/<name>/metrics. Streamed replies have no
+-- response_chars, verdict or cost.
+CREATE TABLE IF NOT EXISTS experiment_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at INTEGER NOT NULL,
+  day TEXT NOT NULL,
+  experiment TEXT NOT NULL,
+  variant TEXT NOT NULL,
+  route TEXT NOT NULL,
+  course_id TEXT,
+  learner_id TEXT,
+  status INTEGER NOT NULL,
+  latency_ms INTEGER NOT NULL,
+  response_chars INTEGER,
+  verdict TEXT,
+  total INTEGER,
+  input_tokens INTEGER NOT NULL,
+  output_tokens INTEGER NOT NULL,
+  cost_usd REAL
+);
+
+CREATE INDEX IF NOT EXISTS experiment_events_day ON experiment_events (experiment, day);
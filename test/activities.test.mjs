@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { call, fixtures } from "./helpers.mjs";
+
+// The fixture echoes which options the prompt named, so a test can see how
+// correct and choice were resolved.
+const env = fixtures([
+  { match: "CORRECT OPTION: B. 4\nLEARNER CHOSE: A. 3", text: "Correct 4, chose 3." },
+  { match: "CORRECT OPTION: B. Paris\nLEARNER CHOSE: C. Lyon", text: "Correct Paris, chose Lyon." },
+  { text: "Something else." },
+]);
+
+const distractor = (body) => call("/explain-distractor", { body, env });
+
+test("numeric option text is matched by value, not read as a position", async () => {
+  const res = await distractor({ question: "2 + 2 = ?", options: ["3", "4", "5"], correct: "4", choice: "3" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.text, "Correct 4, chose 3.");
+});
+
+test("letters and JSON numbers still name options by position", async () => {
+  const options = ["Berlin", "Paris", "Lyon"];
+  const byLetter = await distractor({ question: "Capital of France?", options, correct: "b", choice: "C" });
+  assert.equal(byLetter.body.text, "Correct Paris, chose Lyon.");
+  const byNumber = await distractor({ question: "Capital of France?", options, correct: 2, choice: 3 });
+  assert.equal(byNumber.body.text, "Correct Paris, chose Lyon.");
+});
+
+test("a digit string that is no option's text is rejected", async () => {
+  const res = await distractor({ question: "Capital of France?", options: ["Berlin", "Paris"], correct: "2", choice: "A" });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, "INVALID_INPUT");
+});
+
+test("the mock provider answers /summarize-video with a valid recap", async () => {
+  const res = await call("/summarize-video", {
+    body: { title: "Prompting basics", transcript: "Today we look at how to write a clear prompt." },
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.body.text, /^Mock summary/);
+  assert.equal(res.body.keyPoints.length, 3);
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { call, fakeCaches, fakeOpenAi } from "./helpers.mjs";
+
+const GRADE = JSON.stringify({
+  scores: ["problem", "example", "connection", "clarity"].map((id) => ({ id, score: 80, comment: "Fine." })),
+  feedback: "Clear and specific.",
+});
+
+test("a reply that breaks the grade format is not cached; the corrected one is", async () => {
+  const cache = fakeCaches();
+  // The first reply is not JSON; the re-ask (and anything after) is a valid grade.
+  const upstream = fakeOpenAi(() => (upstream.sent.length === 1 ? "Looks good to me!" : GRADE));
+  try {
+    const env = { OPENAI_API_KEY: "sk-test", CACHE_TTL_SECONDS: "300" };
+    const body = { template: "llm-app", variables: { learnerAnswer: "An LLM drafts practice quizzes for nurses." } };
+
+    const first = await call("/grade", { body, env });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get("X-Cache"), "MISS");
+    assert.equal(upstream.sent.length, 2);
+    assert.equal(cache.store.size, 1);
+
+    const second = await call("/grade", { body, env });
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get("X-Cache"), "HIT");
+    assert.equal(second.body.feedback, first.body.feedback);
+    assert.equal(upstream.sent.length, 2);
+  } finally {
+    upstream.restore();
+    cache.restore();
+  }
+});
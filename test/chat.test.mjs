@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TutorSession } from "../worker.js";
+import { mintCourseToken } from "../mint-token.mjs";
+import { call, fakeNamespace } from "./helpers.mjs";
+
+const SECRET = "test-secret";
+
+function chat(env, body, learnerId) {
+  const headers = learnerId ? { Authorization: `Bearer ${mintCourseToken(SECRET, { learnerId })}` } : {};
+  return call("/chat", { body, env, headers });
+}
+
+test("a chat session belongs to the token's learner, not the body's", async () => {
+  const { namespace } = fakeNamespace(TutorSession);
+  const env = { LLM_PROVIDER: "mock", COURSE_TOKEN_SECRET: SECRET, TUTOR_SESSIONS: namespace };
+
+  const started = await chat(env, { message: "Hi", learnerId: "L2" }, "L1");
+  assert.equal(started.status, 200);
+  const { sessionId } = started.body;
+
+  assert.equal((await chat(env, { message: "Again", sessionId, learnerId: "L1" }, "L1")).status, 200);
+  const other = await chat(env, { message: "Mine now", sessionId, learnerId: "L1" }, "L2");
+  assert.equal(other.status, 410);
+  assert.equal(other.body.error.code, "SESSION_EXPIRED");
+});
+
+test("an expired chat session gets SESSION_EXPIRED, not NOT_FOUND", async () => {
+  const { namespace, objects: sessions } = fakeNamespace(TutorSession);
+  const env = { LLM_PROVIDER: "mock", TUTOR_SESSIONS: namespace };
+
+  const { sessionId } = (await chat(env, { message: "Hi" })).body;
+  await sessions[sessionId].alarm();
+
+  const res = await chat(env, { message: "Still there?", sessionId });
+  assert.equal(res.status, 410);
+  assert.equal(res.body.error.code, "SESSION_EXPIRED");
+  assert.match(res.body.text, /inactivity/);
+});
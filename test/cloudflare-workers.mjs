@@ -0,0 +1,7 @@
+// Stand-in for the runtime's DurableObject base class.
+export class DurableObject {
+  constructor(ctx, env) {
+    this.ctx = ctx;
+    this.env = env;
+  }
+}
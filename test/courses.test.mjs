@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { call, fakeKv, fakeOpenAi } from "./helpers.mjs";
+
+test("a course with an unknown replyLanguage is a CONFIG_ERROR", async () => {
+  const env = { LLM_PROVIDER: "mock", PROMPTS: fakeKv({ "course:c1": { replyLanguage: "both" } }) };
+  const res = await call("/", { body: { prompt: "Hello", courseId: "c1" }, env });
+  assert.equal(res.status, 500);
+  assert.equal(res.body.error.code, "CONFIG_ERROR");
+});
+
+test("the admin API refuses a course draft with an unknown replyLanguage", async () => {
+  const env = { LLM_PROVIDER: "mock", ADMIN_TOKEN: "admin" };
+  const res = await call("/admin/try", {
+    body: { route: "/", body: { prompt: "Hello", courseId: "c1" }, drafts: { course: { replyLanguage: "Spanish" } } },
+    env,
+    headers: { Authorization: "Bearer admin" },
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, "INVALID_INPUT");
+  assert.match(res.body.error.message, /invalid replyLanguage/);
+});
+
+test("a course's maxOutputTokens caps route defaults and requested lengths", async () => {
+  const upstream = fakeOpenAi(() => JSON.stringify({ summary: "A recap.", keyPoints: ["One"] }));
+  try {
+    const env = {
+      OPENAI_API_KEY: "sk-test",
+      MAX_OUTPUT_TOKENS_LIMIT: "1000",
+      PROMPTS: fakeKv({ "course:short": { maxOutputTokens: 150 } }),
+    };
+    const body = { transcript: "A short transcript.", noCache: true };
+    assert.equal((await call("/summarize-video", { body, env })).status, 200);
+    assert.equal((await call("/summarize-video", { body: { ...body, courseId: "short" }, env })).status, 200);
+    const asked = { ...body, courseId: "short", maxOutputTokens: 900 };
+    assert.equal((await call("/summarize-video", { body: asked, env })).status, 200);
+    assert.deepEqual(upstream.sent.map((request) => request.max_output_tokens), [400, 150, 150]);
+  } finally {
+    upstream.restore();
+  }
+});
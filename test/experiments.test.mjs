@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { call, fakeDb, fakeKv } from "./helpers.mjs";
+
+const EXPERIMENT = {
+  variants: [
+    { name: "nano", model: "gpt-4.1-nano" },
+    { name: "full", model: "gpt-4.1" },
+  ],
+};
+
+// Records the variant of every experiment_events row.
+const eventsDb = (variants) =>
+  fakeDb({ run: (sql, args) => void (sql.includes("experiment_events") && variants.push(args[3])) });
+
+test("a request that picks its own model is not logged under a model variant", async () => {
+  const variants = [];
+  const env = {
+    LLM_PROVIDER: "mock",
+    ALLOWED_MODELS: "gpt-4.1-mini,gpt-4.1-nano,gpt-4.1",
+    PROMPTS: fakeKv({ "experiment:llm-app": EXPERIMENT }),
+    DB: eventsDb(variants),
+  };
+  const body = { template: "llm-app", variables: { learnerAnswer: "Flashcards." }, learnerId: "L1", noCache: true };
+
+  assert.equal((await call("/", { body, env })).status, 200);
+  assert.equal(variants.length, 1);
+
+  assert.equal((await call("/", { body: { ...body, model: "gpt-4.1-mini" }, env })).status, 200);
+  assert.equal(variants.length, 1);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mintCourseToken } from "../mint-token.mjs";
+import { call, fakeDb } from "./helpers.mjs";
+
+const SECRET = "test-secret";
+
+// Records the learner each submission lookup was for; none is found.
+const lookupDb = (lookups) => fakeDb({ first: (sql, args) => void lookups.push(args[0]) });
+
+function feedback(env, body, token) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  return call("/feedback", { body, env, headers });
+}
+
+test("/feedback refuses a body learnerId without a signed token", async () => {
+  const lookups = [];
+  const res = await feedback({ DB: lookupDb(lookups) }, { learnerId: "L2", questionId: "q1" });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error.code, "UNAUTHORIZED");
+  assert.deepEqual(lookups, []);
+});
+
+test("/feedback reads the token's learner, not the body's", async () => {
+  const lookups = [];
+  const env = { DB: lookupDb(lookups), COURSE_TOKEN_SECRET: SECRET };
+  const token = mintCourseToken(SECRET, { learnerId: "L1" });
+  const res = await feedback(env, { learnerId: "L2", questionId: "q1" }, token);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.found, false);
+  assert.deepEqual(lookups, ["L1"]);
+});
+
+test("/feedback refuses a token without a learnerId", async () => {
+  const env = { DB: lookupDb([]), COURSE_TOKEN_SECRET: SECRET };
+  const res = await feedback(env, { learnerId: "L2", questionId: "q1" }, mintCourseToken(SECRET, { courseId: "c" }));
+  assert.equal(res.status, 401);
+});
+
+test("/feedback still answers when the monthly budget is used up", async () => {
+  const db = fakeDb({ first: (sql) => (sql.includes("SUM(cost_usd) AS spent") ? { spent: 500 } : null) });
+  const env = { DB: db, COURSE_TOKEN_SECRET: SECRET, MONTHLY_BUDGET_USD: "100", BUDGET_MODE: "block" };
+  const res = await feedback(env, { questionId: "q1" }, mintCourseToken(SECRET, { learnerId: "L1" }));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.found, false);
+});
@@ -0,0 +1,127 @@
+// Shared fixtures for the worker tests: a request helper and in-memory
+// stand-ins for the D1, KV and upstream bindings the worker talks to.
+import { mock } from "node:test";
+import worker from "../worker.js";
+
+// The worker logs every error envelope as JSON; keep the test output readable.
+mock.method(console, "error", () => {});
+
+export const MOCK = { LLM_PROVIDER: "mock", RETRY_BASE_DELAY_MS: "1" };
+
+/**
+ * Runs one request through the fetch handler and waits for its waitUntil
+ * work (usage rows, experiment events). Returns { status, headers, body, text };
+ * body is null for replies that are not JSON (preflight, SSE).
+ */
+export async function call(path, { method = "POST", body, env = MOCK, headers = {} } = {}) {
+  const init = { method, headers };
+  if (body !== undefined) init.body = typeof body === "string" ? body : JSON.stringify(body);
+  const pending = [];
+  const res = await worker.fetch(new Request(`https://worker.test${path}`, init), env, {
+    waitUntil: (promise) => pending.push(promise),
+  });
+  const text = await res.text();
+  await Promise.all(pending);
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // Not JSON.
+  }
+  return { status: res.status, headers: res.headers, body: json, text };
+}
+
+/** MOCK with MOCK_RESPONSES set to the given fixtures (see mockFixture). */
+export const fixtures = (list, env = {}) => ({ ...MOCK, ...env, MOCK_RESPONSES: JSON.stringify(list) });
+
+/**
+ * A D1 stand-in. Each of first, all and run is called with (sql, args) and
+ * may answer; by default nothing is found and every write succeeds.
+ */
+export function fakeDb({ first = () => null, all = () => [], run = () => {} } = {}) {
+  return {
+    prepare: (sql) => ({
+      bind: (...args) => ({
+        first: async () => first(sql, args) ?? null,
+        all: async () => ({ results: all(sql, args) ?? [] }),
+        run: async () => run(sql, args) ?? {},
+      }),
+    }),
+  };
+}
+
+/** Durable Object storage in memory (the calls TutorSession and XapiOutbox make). */
+export function memoryStorage() {
+  const data = new Map();
+  let alarm = null;
+  return {
+    get: async (key) => data.get(key),
+    put: async (key, value) => void data.set(key, value),
+    delete: async (key) => data.delete(key),
+    deleteAll: async () => data.clear(),
+    getAlarm: async () => alarm,
+    setAlarm: async (time) => void (alarm = time),
+  };
+}
+
+/**
+ * A Durable Object namespace running Class in memory, one instance per id.
+ * objects[id] is the instance, e.g. to call its alarm() by hand.
+ */
+export function fakeNamespace(Class, env = {}) {
+  const objects = {};
+  let next = 0;
+  const id = (name) => ({ toString: () => name });
+  const namespace = {
+    newUniqueId: () => id(`id${(next += 1)}`),
+    idFromName: (name) => id(name),
+    idFromString: (name) => id(name),
+    get(objectId) {
+      const key = objectId.toString();
+      objects[key] ??= new Class({ storage: memoryStorage(), id: objectId }, env);
+      return objects[key];
+    },
+  };
+  return { namespace, objects };
+}
+
+/** A read-only KV stand-in holding the given values, e.g. { "course:c1": { ... } }. */
+export function fakeKv(values) {
+  return {
+    get: async (key, type) => {
+      if (!Object.hasOwn(values, key)) return null;
+      return type === "json" ? values[key] : JSON.stringify(values[key]);
+    },
+  };
+}
+
+/** Installs an in-memory caches.default (the Workers Cache API); restore() removes it. */
+export function fakeCaches() {
+  const store = new Map();
+  globalThis.caches = {
+    default: {
+      match: async (request) => (store.has(request.url) ? new Response(store.get(request.url)) : undefined),
+      put: async (request, response) => void store.set(request.url, await response.text()),
+    },
+  };
+  return { store, restore: () => delete globalThis.caches };
+}
+
+/**
+ * Replaces global fetch with an OpenAI Responses API that answers every call
+ * with reply(requestBody) as its output text. Returns the request bodies it
+ * received and restore().
+ */
+export function fakeOpenAi(reply) {
+  const sent = [];
+  const fetchMock = mock.method(globalThis, "fetch", async (url, init) => {
+    const body = JSON.parse(init.body);
+    sent.push(body);
+    const text = reply(body);
+    return Response.json({
+      output: [{ type: "message", content: [{ type: "output_text", text }] }],
+      usage: { input_tokens: 10, output_tokens: 10 },
+    });
+  });
+  return { sent, restore: () => fetchMock.mock.restore() };
+}
@@ -0,0 +1,22 @@
+import { readFile } from "node:fs/promises";
+
+const SHIM = new URL("./cloudflare-workers.mjs", import.meta.url).href;
+const TEXT_IMPORTS = new Set(["./client.js", "./console.html"]);
+
+export async function resolve(specifier, context, next) {
+  if (specifier === "cloudflare:workers") return { url: SHIM, shortCircuit: true };
+  const resolved = await next(specifier, context);
+  if (TEXT_IMPORTS.has(specifier) && context.parentURL?.endsWith("/worker.js")) {
+    return { ...resolved, url: `${resolved.url}?text` };
+  }
+  return resolved;
+}
+
+export async function load(url, context, next) {
+  if (url.endsWith("?text") || url.endsWith(".json")) {
+    const source = await readFile(new URL(url.replace(/\?text$/, "")), "utf8");
+    const value = url.endsWith(".json") ? source : JSON.stringify(source);
+    return { format: "module", source: `export default ${value};`, shortCircuit: true };
+  }
+  return next(url, context);
+}
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RateLimiter } from "../worker.js";
+import { mintCourseToken } from "../mint-token.mjs";
+import { call, fakeNamespace } from "./helpers.mjs";
+
+const SECRET = "test-secret";
+const LIMITS = { RATE_LIMIT_PER_MINUTE: "2", RATE_LIMIT_PER_DAY: "0", RATE_LIMIT_PER_IP_MINUTE: "3", RATE_LIMIT_PER_IP_DAY: "0" };
+
+const ask = (env, body, headers = {}) =>
+  call("/", { body: { prompt: "Hello", noCache: true, ...body }, env, headers: { "CF-Connecting-IP": "203.0.113.7", ...headers } });
+
+test("a new body learnerId on every request still counts against the IP", async () => {
+  const env = { LLM_PROVIDER: "mock", RATE_LIMITER: fakeNamespace(RateLimiter).namespace, ...LIMITS };
+  const statuses = [];
+  for (let i = 0; i < 4; i += 1) statuses.push((await ask(env, { learnerId: `made-up-${i}` })).status);
+  assert.deepEqual(statuses, [200, 200, 200, 429]);
+});
+
+test("a body learnerId is also held to the learner limit", async () => {
+  const env = { LLM_PROVIDER: "mock", RATE_LIMITER: fakeNamespace(RateLimiter).namespace, ...LIMITS };
+  const statuses = [];
+  for (let i = 0; i < 3; i += 1) statuses.push((await ask(env, { learnerId: "L1" })).status);
+  assert.deepEqual(statuses, [200, 200, 429]);
+});
+
+test("learners from signed tokens share an IP without sharing a limit", async () => {
+  const env = {
+    LLM_PROVIDER: "mock",
+    COURSE_TOKEN_SECRET: SECRET,
+    RATE_LIMITER: fakeNamespace(RateLimiter).namespace,
+    ...LIMITS,
+  };
+  const statuses = [];
+  for (let i = 0; i < 4; i += 1) {
+    const token = mintCourseToken(SECRET, { learnerId: `L${i}` });
+    statuses.push((await ask(env, {}, { Authorization: `Bearer ${token}` })).status);
+  }
+  assert.deepEqual(statuses, [200, 200, 200, 200]);
+});
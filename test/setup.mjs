@@ -0,0 +1,6 @@
+// Lets Node load worker.js the way wrangler bundles it: "cloudflare:workers"
+// comes from a shim, .json imports need no attributes, and client.js and
+// console.html arrive as text (see [[rules]] in wrangler.toml).
+import { register } from "node:module";
+
+register("./loader.mjs", import.meta.url);
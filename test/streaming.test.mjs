@@ -0,0 +1,31 @@
+import { mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { call, fakeDb } from "./helpers.mjs";
+
+const sse = (chunks) => chunks.map((chunk) => `data: ${JSON.stringify(chunk)}\n\n`).join("") + "data: [DONE]\n\n";
+
+test("streamed chat-completions replies ask for usage and are metered", async () => {
+  const sent = [];
+  const fetchMock = mock.method(globalThis, "fetch", async (url, init) => {
+    sent.push(JSON.parse(init.body));
+    const body = sse([
+      { choices: [{ delta: { content: "Hello " } }], usage: null },
+      { choices: [{ delta: { content: "there." } }], usage: null },
+      { choices: [], usage: { prompt_tokens: 42, completion_tokens: 7 } },
+    ]);
+    return new Response(body, { headers: { "Content-Type": "text/event-stream" } });
+  });
+  try {
+    const usage = [];
+    const db = fakeDb({ run: (sql, args) => void (sql.includes("INSERT INTO usage") && usage.push(args.slice(8, 10))) });
+    const env = { LLM_PROVIDER: "openai-chat", OPENAI_API_KEY: "sk-test", DB: db };
+
+    const res = await call("/", { body: { prompt: "Hi", stream: true }, env });
+    assert.equal(res.status, 200);
+    assert.match(res.text, /"text":"Hello there\."/);
+    assert.deepEqual(sent[0].stream_options, { include_usage: true });
+    assert.deepEqual(usage, [[42, 7]]);
+  } finally {
+    fetchMock.mock.restore();
+  }
+});
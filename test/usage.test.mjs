@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { call, fakeDb } from "./helpers.mjs";
+
+// Answers the month-spend query with whatever spend.usd holds at the time.
+const spendDb = (spend) => fakeDb({ first: (sql) => (sql.includes("SUM(cost_usd) AS spent") ? { spent: spend.usd } : null) });
+
+test("the usage report reads this month's spend fresh, not from the budget cache", async () => {
+  const spend = { usd: 0 };
+  const env = { LLM_PROVIDER: "mock", MONTHLY_BUDGET_USD: "100", ADMIN_TOKEN: "admin", DB: spendDb(spend) };
+
+  // The budget check caches $0 for this isolate.
+  assert.equal((await call("/", { body: { prompt: "Hello", noCache: true }, env })).status, 200);
+
+  spend.usd = 12.5;
+  const report = await call("/admin/usage", { method: "GET", env, headers: { Authorization: "Bearer admin" } });
+  assert.equal(report.status, 200);
+  assert.equal(report.body.month.spentUsd, 12.5);
+});
+
+test("usage rows and course budgets only name configured or signed courses", async () => {
+  const courses = [];
+  const db = fakeDb({ run: (sql, args) => void (sql.includes("INSERT INTO usage") && courses.push(args[4])) });
+  const env = { LLM_PROVIDER: "mock", DB: db };
+
+  await call("/", { body: { prompt: "Hello", courseId: "made-up-1", noCache: true }, env });
+  await call("/", { body: { prompt: "Hello", courseId: "intro-llms", noCache: true }, env });
+  assert.deepEqual(courses, [null, "intro-llms"]);
+});
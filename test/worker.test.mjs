@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MOCK, call, fixtures } from "./helpers.mjs";
+
+test("CORS preflight answers with the allowed methods and headers", async () => {
+  const env = { ...MOCK, ALLOWED_ORIGINS: "https://lms.example.com" };
+  const res = await call("/", { method: "OPTIONS", env, headers: { Origin: "https://lms.example.com" } });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("Access-Control-Allow-Origin"), "https://lms.example.com");
+  assert.match(res.headers.get("Access-Control-Allow-Methods"), /POST/);
+  assert.match(res.headers.get("Access-Control-Allow-Headers"), /Authorization/);
+});
+
+test("without ALLOWED_ORIGINS other sites are refused; \"*\" opts in to any site", async () => {
+  const headers = { Origin: "https://elsewhere.example.com" };
+  assert.equal((await call("/", { method: "OPTIONS", headers })).status, 403);
+  const res = await call("/", { body: { prompt: "Hello" }, headers });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.error.code, "FORBIDDEN_ORIGIN");
+
+  const open = await call("/", { body: { prompt: "Hello" }, headers, env: { ...MOCK, ALLOWED_ORIGINS: "*" } });
+  assert.equal(open.status, 200);
+  assert.equal(open.headers.get("Access-Control-Allow-Origin"), "*");
+});
+
+test("a method the route does not take gets 405", async () => {
+  const res = await call("/", { method: "GET" });
+  assert.equal(res.status, 405);
+  assert.equal(res.body.error.code, "METHOD_NOT_ALLOWED");
+});
+
+test("a missing prompt gets 400 INVALID_INPUT", async () => {
+  const res = await call("/", { body: {} });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.ok, false);
+  assert.equal(res.body.error.code, "INVALID_INPUT");
+});
+
+test("a provider without its API key gets 500 CONFIG_ERROR", async () => {
+  const res = await call("/", { body: { prompt: "Hello" }, env: {} });
+  assert.equal(res.status, 500);
+  assert.equal(res.body.error.code, "CONFIG_ERROR");
+  assert.doesNotMatch(res.text, /OPENAI_API_KEY/);
+});
+
+test("upstream errors map to stable codes", async () => {
+  const cases = [
+    [429, 503, "UPSTREAM_RATE_LIMIT"],
+    [401, 502, "UPSTREAM_AUTH"],
+    [500, 502, "UPSTREAM_ERROR"],
+  ];
+  for (const [upstream, status, code] of cases) {
+    const res = await call("/", { body: { prompt: "Hello" }, env: fixtures([{ status: upstream, error: "boom" }]) });
+    assert.equal(res.status, status, `upstream ${upstream}`);
+    assert.equal(res.body.error.code, code);
+    assert.doesNotMatch(res.text, /boom/);
+  }
+});
+
+test("code fences are stripped from the reply", async () => {
+  const res = await call("/", { body: { prompt: "Hello" }, env: fixtures([{ text: "```\nPlain answer.\n```" }]) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.text, "Plain answer.");
+});
+
+test("the reply text is extracted from the provider response", async () => {
+  const res = await call("/", { body: { prompt: "Hello there" } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, true);
+  assert.match(res.body.text, /^Mock reply: /);
+  assert.match(res.body.text, /Hello there/);
+});
+
+test("fixtures are matched against the prompt", async () => {
+  const env = fixtures([{ match: "zebra", text: "Stripes." }, { text: "Anything else." }]);
+  assert.equal((await call("/", { body: { prompt: "a zebra" }, env })).body.text, "Stripes.");
+  assert.equal((await call("/", { body: { prompt: "a horse" }, env })).body.text, "Anything else.");
+});
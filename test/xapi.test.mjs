@@ -0,0 +1,37 @@
+import { mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { XapiOutbox } from "../worker.js";
+import { memoryStorage } from "./helpers.mjs";
+
+const statements = (from, to) => Array.from({ length: to - from }, (_, i) => ({ id: `st-${from + i}` }));
+
+test("a retried batch sends each statement once, even when the queue head was trimmed meanwhile", async () => {
+  const storage = memoryStorage();
+  const outbox = new XapiOutbox({ storage }, { LRS_ENDPOINT: "https://lrs.test", XAPI_BATCH_SIZE: "2" });
+  const posted = [];
+  let calls = 0;
+  const fetchMock = mock.method(globalThis, "fetch", async (url, init) => {
+    calls += 1;
+    // First try: the LRS is down. Second try: 998 more statements arrive while
+    // the batch is in flight, pushing st-0 out of the capped queue.
+    if (calls === 1) return new Response("busy", { status: 503 });
+    if (calls === 2) await outbox.enqueue(statements(3, 1001));
+    posted.push(...JSON.parse(init.body).map((st) => st.id));
+    return new Response("[]", { status: 200 });
+  });
+  try {
+    await outbox.enqueue(statements(0, 3));
+    await outbox.alarm();
+    assert.deepEqual(posted, []);
+    assert.equal((await storage.get("pending")).length, 3);
+
+    await outbox.alarm();
+    assert.deepEqual(posted, ["st-0", "st-1"]);
+    const pending = (await storage.get("pending")).map((st) => st.id);
+    assert.equal(pending[0], "st-2");
+    assert.equal(pending.length, 999);
+    assert.equal(await storage.get("failures"), undefined);
+  } finally {
+    fetchMock.mock.restore();
+  }
+});